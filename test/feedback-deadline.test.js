@@ -0,0 +1,107 @@
+// Frame timeouts and the request deadline, against a local /chat/completions
+// server that answers "quick" frames at once and never answers "hang" frames
+process.env.FEEDBACK_CONCURRENCY = "1";
+process.env.FEEDBACK_FRAME_TIMEOUT_MS = "500";
+process.env.FEEDBACK_DEADLINE_MS = "1200";
+delete process.env.DATABASE_URL;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { once } = require("node:events");
+
+const app = require("../server");
+
+const reply = {
+  items: [{ feedback: "Spacing is uneven.", category: "spacing", severity: "low", confidence: 0.6, suggestion: "Use an 8px grid." }],
+};
+
+let llm;
+let server;
+let baseUrl;
+
+test.before(async () => {
+  llm = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (body.includes("Frame: hang")) {
+        return; // the client gives up first
+      }
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ choices: [{ message: { content: JSON.stringify(reply) } }] }));
+    });
+  });
+  llm.listen(0, "127.0.0.1");
+  await once(llm, "listening");
+  process.env.FEEDBACK_LLM_PROVIDER = "compatible";
+  process.env.FEEDBACK_LLM_BASE_URL = `http://127.0.0.1:${llm.address().port}/v1`;
+  process.env.FEEDBACK_LLM_MODEL = "stub";
+
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  for (const target of [server, llm]) {
+    target.closeAllConnections();
+    target.close();
+  }
+});
+
+function frame(name) {
+  return { frameId: name, frameData: { name, width: 100, height: 100 } };
+}
+
+test("slow frames time out and frames past the deadline are skipped, keeping finished results", async () => {
+  const frames = ["quick", "hang", "hang", "hang", "hang"].map((name, i) => ({ ...frame(name), frameId: `${name}-${i}` }));
+  const startedAt = Date.now();
+  const response = await fetch(`${baseUrl}/api/feedback`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ frames }),
+  });
+  const elapsed = Date.now() - startedAt;
+  const entries = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.ok(elapsed < 3000, `request took ${elapsed}ms, past the 1200ms deadline`);
+  assert.deepEqual(
+    entries.map((entry) => [entry.frameId, entry.status]),
+    [
+      ["quick-0", "ok"],
+      ["hang-1", "timeout"],
+      ["hang-2", "timeout"],
+      ["hang-3", "timeout"],
+      ["hang-4", "skipped"],
+    ]
+  );
+  assert.equal(entries[0].feedback, reply.items[0].feedback);
+  assert.match(entries[1].details, /timed out after 500ms/);
+  assert.match(entries[3].details, /deadline of 1200ms/);
+  assert.match(entries[4].error, /deadline/);
+});
+
+test("the stream reports every frame exactly once, even after the deadline", async () => {
+  const frames = ["quick", "hang", "hang", "hang", "hang"].map((name, i) => ({ ...frame(name), frameId: `${name}-${i}` }));
+  const response = await fetch(`${baseUrl}/api/feedback/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ frames }),
+  });
+  const events = (await response.text())
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => ({ event: block.match(/^event: (.+)$/m)[1], data: JSON.parse(block.match(/^data: (.+)$/m)[1]) }));
+
+  const results = events.filter((e) => e.event === "frame").map((e) => e.data.frameId);
+  assert.deepEqual([...results].sort(), frames.map((f) => f.frameId).sort());
+  // The skipped frame never started, so it has no progress event
+  assert.equal(events.filter((e) => e.event === "progress").length, 4);
+  assert.equal(events.at(-1).event, "summary");
+  assert.deepEqual(
+    { ok: events.at(-1).data.ok, timeout: events.at(-1).data.timeout, skipped: events.at(-1).data.skipped },
+    { ok: 1, timeout: 3, skipped: 1 }
+  );
+});
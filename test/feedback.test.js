@@ -0,0 +1,134 @@
+// Runs the whole feedback pipeline against the offline fake provider
+process.env.LLM_PROVIDER = "fake";
+delete process.env.DATABASE_URL;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("node:events");
+
+const app = require("../server");
+const { validateAgainstSchema, FEEDBACK_SCHEMA } = app.internals;
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function frame(frameId) {
+  return { frameId, frameData: { name: `Frame ${frameId}`, width: 320, height: 200 } };
+}
+
+function postFeedback(body, headers = {}, route = "/api/feedback") {
+  return fetch(`${baseUrl}${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+// "event: x\ndata: {...}\n\n" blocks -> [{ event, data }]
+function parseSse(text) {
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const event = block.match(/^event: (.+)$/m)[1];
+      const data = JSON.parse(block.match(/^data: (.+)$/m)[1]);
+      return { event, data };
+    });
+}
+
+test("POST /api/feedback returns schema-valid items for every frame", async () => {
+  const response = await postFeedback({ frames: [frame("1:1"), frame("1:2")], catName: "Mochi" });
+  assert.equal(response.status, 200);
+  const entries = await response.json();
+
+  for (const frameId of ["1:1", "1:2"]) {
+    const items = entries.filter((entry) => entry.frameId === frameId);
+    assert.ok(items.length > 0, `no feedback for ${frameId}`);
+    for (const entry of items) {
+      assert.equal(entry.status, "ok");
+      const { frameId: _, status, ...fields } = entry;
+      assert.deepEqual(validateAgainstSchema({ items: [fields] }, FEEDBACK_SCHEMA), []);
+    }
+  }
+});
+
+test("the fake provider answers the same frame the same way", async () => {
+  const body = { frames: [frame("2:1")], catName: "Mochi" };
+  const first = await (await postFeedback(body)).json();
+  const second = await (await postFeedback(body)).json();
+  assert.deepEqual(first, second);
+});
+
+test("malformed feedback requests are rejected before any model call", async () => {
+  const cases = [
+    [{}, 400, /frames/],
+    [{ frames: new Array(11).fill(frame("3:1")) }, 400, /Too many frames/],
+    [{ frames: [{ frameId: "3:1" }] }, 400, /missing frameData/],
+    [{ frames: [frame("x".repeat(256))] }, 400, /frameId longer than 255/],
+    [{ frames: [frame("3:1")], fileKey: 42 }, 400, /fileKey/],
+    [{ frames: [frame("3:1")], catName: "Mochi", fileKey: "abc", compare: true }, 503, /DATABASE_URL/],
+  ];
+  for (const [body, status, error] of cases) {
+    const response = await postFeedback(body);
+    assert.equal(response.status, status, JSON.stringify(body).slice(0, 80));
+    assert.match((await response.json()).error, error);
+  }
+});
+
+test("invalid JSON bodies get a JSON 400", async () => {
+  const response = await fetch(`${baseUrl}/api/feedback`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: "{not json",
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { error: "Request body is not valid JSON" });
+});
+
+test("the stream sends progress before each frame's result and the summary last", async () => {
+  const frames = [frame("4:1"), frame("4:2"), frame("4:3"), frame("4:4")];
+  const response = await postFeedback({ frames }, {}, "/api/feedback/stream");
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+
+  const events = parseSse(await response.text());
+  assert.deepEqual(
+    events.map((e) => e.event).sort(),
+    [...new Array(4).fill("progress"), ...new Array(4).fill("frame"), "summary"].sort()
+  );
+  assert.equal(events.at(-1).event, "summary");
+
+  for (const { frameId } of frames) {
+    const started = events.findIndex((e) => e.event === "progress" && e.data.frameId === frameId);
+    const finished = events.findIndex((e) => e.event === "frame" && e.data.frameId === frameId);
+    assert.ok(started !== -1 && started < finished, `progress for ${frameId} must come before its frame event`);
+  }
+
+  const progress = events.filter((e) => e.event === "progress").map((e) => e.data);
+  assert.deepEqual(progress.map((p) => p.frame), [1, 2, 3, 4]);
+  assert.ok(progress.every((p) => p.total === 4));
+
+  const results = events.filter((e) => e.event === "frame").map((e) => e.data);
+  const summary = events.at(-1).data;
+  assert.equal(summary.total, 4);
+  assert.equal(summary.ok, 4);
+  assert.equal(summary.error + summary.timeout + summary.skipped, 0);
+  assert.equal(summary.items, results.reduce((sum, result) => sum + result.items.length, 0));
+});
+
+test("Accept: text/event-stream on /api/feedback streams too", async () => {
+  const response = await postFeedback({ frames: [frame("5:1")] }, { Accept: "text/event-stream" });
+  const events = parseSse(await response.text());
+  assert.deepEqual(events.map((e) => e.event), ["progress", "frame", "summary"]);
+});
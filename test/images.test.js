@@ -0,0 +1,130 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const zlib = require("node:zlib");
+
+// Keep transform variants out of the repo's .cache/
+process.env.ASSET_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "ameo-cache-"));
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("node:events");
+
+const app = require("../server");
+const {
+  decodePng,
+  encodePng,
+  encodeWebpLossless,
+  parseWebpDimensions,
+  encodeAnimatedGif,
+  encodeAnimatedPng,
+  validateSvg,
+} = app.internals;
+
+// width x height RGBA image whose pixels depend on their position
+function makeImage(width, height, seed = 0) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 4] = (i * 40 + seed) & 0xff;
+    data[i * 4 + 1] = (i * 7) & 0xff;
+    data[i * 4 + 2] = 255 - i;
+    data[i * 4 + 3] = i % 3 === 0 ? 0 : 255;
+  }
+  return { width, height, data };
+}
+
+function pngChunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+test("encodePng output decodes back to the same pixels", () => {
+  const image = makeImage(5, 3);
+  const decoded = decodePng(encodePng(image));
+  assert.equal(decoded.width, 5);
+  assert.equal(decoded.height, 3);
+  assert.ok(decoded.data.equals(image.data));
+});
+
+test("decodePng rejects bad signatures and corrupted chunks", () => {
+  assert.throws(() => decodePng(Buffer.from("not a png at all")), /Not a PNG/);
+  const png = encodePng(makeImage(4, 4));
+  png[20] ^= 0xff; // inside IHDR
+  assert.throws(() => decodePng(png), /CRC mismatch/);
+});
+
+test("decodePng refuses oversized images before allocating them", () => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(5000, 0);
+  header.writeUInt32BE(5000, 4);
+  header[8] = 8;
+  header[9] = 6;
+  const png = Buffer.concat([
+    encodePng(makeImage(1, 1)).subarray(0, 8),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(Buffer.alloc(16))),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+  assert.throws(() => decodePng(png), /5000x5000/);
+});
+
+test("encodeWebpLossless writes a RIFF/WEBP container with the image size", () => {
+  const webp = encodeWebpLossless(makeImage(7, 9));
+  assert.equal(webp.toString("ascii", 0, 4), "RIFF");
+  assert.equal(webp.readUInt32LE(4), webp.length - 8);
+  assert.equal(webp.toString("ascii", 8, 12), "WEBP");
+  assert.deepEqual(parseWebpDimensions(webp), { width: 7, height: 9 });
+});
+
+test("encodeAnimatedGif writes a looping GIF89a of the frame size", () => {
+  const frames = [makeImage(6, 4, 0), makeImage(6, 4, 90)];
+  const gif = encodeAnimatedGif(frames, { delay: 100, loop: 0 });
+  assert.equal(gif.toString("ascii", 0, 6), "GIF89a");
+  assert.equal(gif.readUInt16LE(6), 6);
+  assert.equal(gif.readUInt16LE(8), 4);
+  assert.ok(gif.includes(Buffer.from("NETSCAPE2.0")));
+  assert.equal(gif[gif.length - 1], 0x3b);
+});
+
+test("encodeAnimatedPng declares every frame and falls back to the first one", () => {
+  const frames = [makeImage(3, 3, 0), makeImage(3, 3, 50), makeImage(3, 3, 100)];
+  const apng = encodeAnimatedPng(frames, { delay: 80, loop: 2 });
+  const actl = apng.indexOf("acTL");
+  assert.equal(apng.readUInt32BE(actl + 4), 3); // frames
+  assert.equal(apng.readUInt32BE(actl + 8), 2); // plays
+  assert.ok(decodePng(apng).data.equals(frames[0].data));
+});
+
+test("validateSvg accepts plain SVG and refuses anything that can run script", () => {
+  validateSvg('<svg xmlns="http://www.w3.org/2000/svg"><rect fill="#fff" width="2" height="2"/></svg>');
+  assert.throws(() => validateSvg("<svg><script>alert(1)</script></svg>"), /<script>/);
+  assert.throws(() => validateSvg('<svg onload="alert(1)"></svg>'), /event handler/);
+  assert.throws(() => validateSvg('<svg><a href="jav&#x61;script:alert(1)"><rect/></a></svg>'), /javascript:/);
+  assert.throws(() => validateSvg("<html></html>"), /not <svg>/);
+});
+
+test("PNG transforms are encoded in the image worker", async () => {
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const resized = await fetch(`${base}/bg-plugin-01.png?w=32`);
+    assert.equal(resized.status, 200);
+    assert.equal(decodePng(Buffer.from(await resized.arrayBuffer())).width, 32);
+
+    const webp = await fetch(`${base}/bg-plugin-01.png?w=32&format=webp`);
+    assert.equal(webp.headers.get("content-type"), "image/webp");
+    assert.equal(parseWebpDimensions(Buffer.from(await webp.arrayBuffer())).width, 32);
+
+    const odd = await fetch(`${base}/bg-plugin-01.png?w=33`);
+    assert.equal(odd.status, 400);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(process.env.ASSET_CACHE_DIR, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateAgainstSchema, mapWithConcurrency, FEEDBACK_SCHEMA } = require("../server").internals;
+
+const item = {
+  feedback: "Body text is low contrast.",
+  category: "color",
+  severity: "high",
+  confidence: 0.8,
+  suggestion: "Darken the text to #333.",
+};
+
+test("validateAgainstSchema accepts a valid feedback reply", () => {
+  assert.deepEqual(validateAgainstSchema({ items: [item] }, FEEDBACK_SCHEMA), []);
+});
+
+test("validateAgainstSchema reports missing, wrong-typed and out-of-range fields", () => {
+  const errors = validateAgainstSchema(
+    { items: [{ ...item, category: "vibes", confidence: 2, suggestion: undefined }] },
+    FEEDBACK_SCHEMA
+  );
+  assert.deepEqual(errors.sort(), [
+    "response.items[0].category must be one of " + FEEDBACK_SCHEMA.properties.items.items.properties.category.enum.join(", "),
+    "response.items[0].confidence must be at most 1",
+    "response.items[0].suggestion is required",
+  ].sort());
+});
+
+test("validateAgainstSchema enforces array bounds", () => {
+  assert.deepEqual(validateAgainstSchema({ items: [] }, FEEDBACK_SCHEMA), ["response.items must have at least 1 items"]);
+  assert.deepEqual(
+    validateAgainstSchema({ items: new Array(7).fill(item) }, FEEDBACK_SCHEMA),
+    ["response.items must have at most 6 items"]
+  );
+});
+
+test("validateAgainstSchema rejects undeclared keys only with additionalProperties: false", () => {
+  const schema = { type: "object", properties: { a: { type: "string" } }, required: ["a"] };
+  assert.deepEqual(validateAgainstSchema({ a: "x", b: 1 }, schema), []);
+  assert.deepEqual(
+    validateAgainstSchema({ a: "x", b: 1 }, { ...schema, additionalProperties: false }),
+    ["response.b is not allowed"]
+  );
+  assert.deepEqual(
+    validateAgainstSchema({ items: [{ ...item, mood: "meh" }] }, FEEDBACK_SCHEMA),
+    ["response.items[0].mood is not allowed"]
+  );
+});
+
+test("validateAgainstSchema checks strings, integers and booleans", () => {
+  assert.deepEqual(validateAgainstSchema("  ", { type: "string", minLength: 1 }), ["response must be at least 1 characters"]);
+  assert.deepEqual(validateAgainstSchema("abcd", { type: "string", maxLength: 3 }), ["response must be at most 3 characters"]);
+  assert.deepEqual(validateAgainstSchema(1.5, { type: "integer" }), ["response must be an integer"]);
+  assert.deepEqual(validateAgainstSchema("yes", { type: "boolean" }), ["response must be a boolean"]);
+  assert.deepEqual(validateAgainstSchema(null, { type: "object" }), ["response must be an object"]);
+});
+
+test("mapWithConcurrency never runs more than `limit` calls at once", async () => {
+  let running = 0;
+  let peak = 0;
+  const seen = [];
+  await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    seen.push(index);
+    running--;
+  });
+  assert.equal(peak, 2);
+  assert.deepEqual([...seen].sort(), [0, 1, 2, 3, 4]);
+});
+
+test("mapWithConcurrency handles fewer items than the limit and an empty list", async () => {
+  const seen = [];
+  await mapWithConcurrency(["a"], 3, async (value) => seen.push(value));
+  await mapWithConcurrency([], 3, async () => assert.fail("called for an empty list"));
+  assert.deepEqual(seen, ["a"]);
+});